@@ -0,0 +1,165 @@
+// ============================================================================
+// SYMBOL STATE BENCHMARK
+// Compares the original array/filter SymbolState with the ring-buffer version
+// on a synthetic aggTrade feed (addTrade + getStats per message, like the
+// live handler does)
+//
+// Usage:
+//   node benchmark.js [trades] [windowSeconds]
+// ============================================================================
+
+const { SymbolState } = require('./index.js');
+
+// ============================================================================
+// ORIGINAL IMPLEMENTATION (baseline - O(window) per trade)
+// ============================================================================
+
+class LegacySymbolState {
+  constructor(symbol, windowSeconds) {
+    this.symbol = symbol;
+    this.windowMs = windowSeconds * 1000;
+    this.trades = [];
+    this.firstPrice = null;
+    this.lastPrice = null;
+  }
+
+  addTrade(timestamp, price, quantity, isBuyerMaker) {
+    const volume = price * quantity;
+
+    this.trades.push({
+      timestamp,
+      price,
+      buyVol: isBuyerMaker ? 0 : volume,
+      sellVol: isBuyerMaker ? volume : 0
+    });
+    this.lastPrice = price;
+
+    if (this.firstPrice === null) {
+      this.firstPrice = price;
+    }
+
+    this.cleanup(timestamp);
+  }
+
+  cleanup(currentTime) {
+    const cutoff = currentTime - this.windowMs;
+    this.trades = this.trades.filter(t => t.timestamp >= cutoff);
+    this.firstPrice = this.trades.length > 0 ? this.trades[0].price : null;
+  }
+
+  getStats() {
+    if (this.trades.length === 0) return null;
+
+    let buyVolume = 0;
+    let sellVolume = 0;
+    for (const trade of this.trades) {
+      buyVolume += trade.buyVol;
+      sellVolume += trade.sellVol;
+    }
+
+    const totalVolume = buyVolume + sellVolume;
+    if (totalVolume === 0) return null;
+
+    return {
+      buyVolume,
+      sellVolume,
+      totalVolume,
+      dominance: (Math.max(buyVolume, sellVolume) / totalVolume) * 100,
+      priceChange: ((this.lastPrice - this.firstPrice) / this.firstPrice) * 100,
+      tradeCount: this.trades.length
+    };
+  }
+}
+
+// ============================================================================
+// SYNTHETIC FEED
+// ============================================================================
+
+// Deterministic random walk so both implementations see identical input
+function generateFeed(count, tradesPerSecond) {
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+
+  const feed = [];
+  let timestamp = Date.UTC(2026, 0, 1);
+  let price = 0.35;
+
+  for (let i = 0; i < count; i++) {
+    timestamp += Math.round(random() * 2000 / tradesPerSecond);
+    price *= 1 + (random() - 0.5) * 0.0004;
+    feed.push({
+      timestamp,
+      price,
+      quantity: 100 + random() * 50_000,
+      isBuyerMaker: random() < 0.5
+    });
+  }
+
+  return feed;
+}
+
+function run(StateClass, feed, windowSeconds) {
+  const state = new StateClass('BENCHUSDT', windowSeconds);
+  let stats = null;
+
+  const start = process.hrtime.bigint();
+  for (const trade of feed) {
+    state.addTrade(trade.timestamp, trade.price, trade.quantity, trade.isBuyerMaker);
+    stats = state.getStats();
+  }
+  const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+  return { elapsedMs, throughput: feed.length / (elapsedMs / 1000), stats };
+}
+
+function fmtRate(perSecond) {
+  if (perSecond >= 1_000_000) return (perSecond / 1_000_000).toFixed(2) + 'M';
+  if (perSecond >= 1_000) return (perSecond / 1_000).toFixed(1) + 'K';
+  return perSecond.toFixed(0);
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+function main() {
+  const tradeCount = parseInt(process.argv[2]) || 50_000;
+  const windowSeconds = parseInt(process.argv[3]) || 180;
+
+  console.log('='.repeat(70));
+  console.log(`SYMBOL STATE BENCHMARK (${tradeCount} trades, ${windowSeconds}s window)`);
+  console.log('='.repeat(70));
+
+  // Quiet pair, DOGE-like and PEPE-during-a-squeeze message rates
+  for (const tradesPerSecond of [5, 50, 200]) {
+    const feed = generateFeed(tradeCount, tradesPerSecond);
+
+    // Warm up the JIT on a small slice
+    run(LegacySymbolState, feed.slice(0, 2000), windowSeconds);
+    run(SymbolState, feed.slice(0, 2000), windowSeconds);
+
+    const before = run(LegacySymbolState, feed, windowSeconds);
+    const after = run(SymbolState, feed, windowSeconds);
+
+    // Both implementations must agree on the final window
+    const volumeDiff = Math.abs(before.stats.totalVolume - after.stats.totalVolume) / before.stats.totalVolume;
+    const consistent = before.stats.tradeCount === after.stats.tradeCount && volumeDiff < 1e-9;
+
+    console.log(
+      `${String(tradesPerSecond).padStart(4)} trades/s (~${after.stats.tradeCount} in window) | ` +
+      `before ${fmtRate(before.throughput).padStart(7)}/s | ` +
+      `after ${fmtRate(after.throughput).padStart(7)}/s | ` +
+      `${(after.throughput / before.throughput).toFixed(1)}x` +
+      (consistent ? '' : ' | ⚠️ RESULTS DIFFER')
+    );
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { LegacySymbolState, generateFeed };
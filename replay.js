@@ -0,0 +1,422 @@
+// ============================================================================
+// HISTORICAL REPLAY / BACKTEST
+// Feeds recorded aggTrade files through TradeAggregator, SignalEngine and
+// CooldownManager using event time, and reports the alerts that would fire
+//
+// Usage:
+//   node replay.js [options] <file...>
+//
+// Files:
+//   <SYMBOL>-YYYY-MM-DD.ndjson[.gz]        (TradeRecorder output)
+//   <SYMBOL>-aggTrades-YYYY-MM-DD.csv      (Binance public data format)
+//
+// Options:
+//   --symbol SYMBOL      Symbol for files whose name doesn't start with it
+//   --window SECONDS     Primary window for all symbols (default: symbol config)
+//   --outcome MINUTES    Price move measured this long after alert (default: 15)
+//   --grid param=a,b,c   Sweep threshold values (repeatable, all combinations)
+//   --rank move|alerts   Grid ranking (default: move)
+//   --top N              Grid rows to print (default: 10)
+//   --quiet              Don't print individual alerts
+//
+// Example:
+//   node replay.js --grid minDominance=60,65,70 --grid minPriceChange=0.4,0.6 \
+//     data/recordings/XRPUSDT/*.ndjson.gz
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+
+const {
+  CONFIG,
+  DEFAULT_SYMBOL_CONFIG,
+  RuntimeConfig,
+  ConfigStore,
+  TradeAggregator,
+  SignalEngine,
+  CooldownManager
+} = require('./index.js');
+
+// ============================================================================
+// ARGUMENT PARSING
+// ============================================================================
+
+function parseArgs(argv) {
+  const options = {
+    files: [],
+    symbol: null,
+    window: null,
+    outcome: 15,
+    grid: {},
+    rank: 'move',
+    top: 10,
+    quiet: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    switch (arg) {
+      case '--symbol':
+        options.symbol = argv[++i].toUpperCase();
+        break;
+      case '--window':
+        options.window = RuntimeConfig.validateParam('windowSeconds', argv[++i]);
+        break;
+      case '--outcome':
+        options.outcome = parseFloat(argv[++i]);
+        break;
+      case '--grid': {
+        const [param, values] = (argv[++i] || '').split('=');
+        if (!param || !values) throw new Error('--grid expects param=v1,v2,...');
+        options.grid[param] = values.split(',').map(v => RuntimeConfig.validateParam(param, v));
+        break;
+      }
+      case '--rank':
+        options.rank = argv[++i];
+        break;
+      case '--top':
+        options.top = parseInt(argv[++i]);
+        break;
+      case '--quiet':
+        options.quiet = true;
+        break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+        options.files.push(arg);
+    }
+  }
+
+  if (options.files.length === 0) {
+    throw new Error('No input files (see header of replay.js for usage)');
+  }
+  return options;
+}
+
+// All combinations of grid values: { a: [1, 2], b: [3] } -> [{a:1,b:3}, {a:2,b:3}]
+function expandGrid(grid) {
+  let combos = [{}];
+
+  for (const [param, values] of Object.entries(grid)) {
+    const next = [];
+    for (const combo of combos) {
+      for (const value of values) {
+        next.push({ ...combo, [param]: value });
+      }
+    }
+    combos = next;
+  }
+
+  return combos;
+}
+
+// ============================================================================
+// TRADE FILE READERS
+// ============================================================================
+
+function symbolFromFile(filePath) {
+  const match = path.basename(filePath).match(/^([A-Z0-9]+)-/);
+  return match ? match[1] : null;
+}
+
+// Yields { timestamp, price, quantity, isBuyerMaker } in file order
+// (recorded liquidations as { liquidation: true, timestamp, side, notional })
+async function* readTrades(filePath) {
+  let input = fs.createReadStream(filePath);
+  if (filePath.endsWith('.gz')) {
+    input = input.pipe(zlib.createGunzip());
+  }
+
+  const isCsv = /\.csv(\.gz)?$/.test(filePath);
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    if (!line) continue;
+
+    const trade = isCsv ? parseCsvLine(line) : parseNdjsonLine(line);
+    if (trade) yield trade;
+  }
+}
+
+// TradeRecorder line: {"recvTime":..., "data":{"p":"..","q":"..","T":..,"m":..}}
+// or a forceOrder event: {"recvTime":..., "data":{"e":"forceOrder","o":{...}}}
+function parseNdjsonLine(line) {
+  const record = JSON.parse(line);
+  const data = record.data || record;
+
+  if (data.e === 'forceOrder') {
+    return {
+      liquidation: true,
+      timestamp: data.o.T,
+      side: data.o.S === 'SELL' ? 'long' : 'short',
+      notional: parseFloat(data.o.ap) * parseFloat(data.o.z)
+    };
+  }
+
+  return {
+    timestamp: data.T,
+    price: parseFloat(data.p),
+    quantity: parseFloat(data.q),
+    isBuyerMaker: data.m
+  };
+}
+
+// agg_trade_id,price,quantity,first_trade_id,last_trade_id,transact_time,is_buyer_maker
+function parseCsvLine(line) {
+  const fields = line.split(',');
+  if (fields.length < 7 || isNaN(parseFloat(fields[1]))) return null; // header
+
+  return {
+    timestamp: parseInt(fields[5]),
+    price: parseFloat(fields[1]),
+    quantity: parseFloat(fields[2]),
+    isBuyerMaker: fields[6].trim().toLowerCase() === 'true'
+  };
+}
+
+// ============================================================================
+// REPLAY SIMULATION
+// One threshold set, same pipeline as MultiWebSocketManager.handleTrade
+// ============================================================================
+
+class ReplaySimulation {
+  constructor(symbolConfigs, overrides, outcomeMinutes) {
+    const configs = {};
+    for (const [symbol, config] of Object.entries(symbolConfigs)) {
+      configs[symbol] = { ...config, ...overrides, enabled: true };
+    }
+
+    this.overrides = overrides;
+    this.outcomeMs = outcomeMinutes * 60 * 1000;
+    this.now = 0;
+
+    this.config = new RuntimeConfig(configs);
+    this.tradeAggregator = new TradeAggregator(CONFIG.WINDOW_SECONDS, this.config);
+    this.signalEngine = new SignalEngine(this.config);
+    this.cooldownManager = new CooldownManager(this.config, () => this.now);
+
+    this.alerts = [];
+    this.openAlerts = [];
+  }
+
+  addTrade(symbol, timestamp, price, quantity, isBuyerMaker) {
+    this.now = timestamp;
+    this.updateOutcomes(symbol, timestamp, price);
+
+    this.tradeAggregator.addTrade(symbol, timestamp, price, quantity, isBuyerMaker);
+
+    for (const horizon of this.config.getHorizons(symbol)) {
+      const stats = this.tradeAggregator.getStats(symbol, horizon.windowSeconds);
+
+      if (stats && stats.totalVolume >= horizon.minVolumeUSD * CONFIG.PREFILTER_FACTOR) {
+        if (this.signalEngine.shouldAlert(symbol, stats, horizon)) {
+          if (this.cooldownManager.canAlert(symbol, stats)) {
+            const interpretation = this.signalEngine.interpretSignal(stats, horizon);
+            const alert = {
+              symbol,
+              timestamp,
+              type: interpretation.type,
+              direction: interpretation.direction,
+              windowSeconds: horizon.windowSeconds,
+              entryPrice: stats.lastPrice,
+              stats,
+              move: null
+            };
+
+            this.alerts.push(alert);
+            this.openAlerts.push(alert);
+            this.cooldownManager.recordAlert(symbol, stats);
+            this.tradeAggregator.resetSymbol(symbol, horizon.windowSeconds);
+            return alert;
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  addLiquidation(symbol, timestamp, side, notional) {
+    this.tradeAggregator.addLiquidation(symbol, timestamp, side, notional);
+  }
+
+  // Fill in the move (in signal direction) once the outcome delay has passed
+  updateOutcomes(symbol, timestamp, price) {
+    if (this.openAlerts.length === 0) return;
+
+    this.openAlerts = this.openAlerts.filter(alert => {
+      if (alert.symbol !== symbol || timestamp < alert.timestamp + this.outcomeMs) {
+        return true;
+      }
+
+      const change = ((price - alert.entryPrice) / alert.entryPrice) * 100;
+      alert.move = alert.direction === 'BUY' ? change : -change;
+      return false;
+    });
+  }
+
+  summarize(alerts = this.alerts) {
+    const measured = alerts.filter(a => a.move !== null);
+    const wins = measured.filter(a => a.move > 0).length;
+    const avgMove = measured.length > 0
+      ? measured.reduce((sum, a) => sum + a.move, 0) / measured.length
+      : null;
+
+    return {
+      alerts: alerts.length,
+      measured: measured.length,
+      winRate: measured.length > 0 ? (wins / measured.length) * 100 : null,
+      avgMove
+    };
+  }
+}
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+function fmt(num) {
+  if (num >= 1_000_000) return (num / 1_000_000).toFixed(2) + 'M';
+  if (num >= 1_000) return (num / 1_000).toFixed(0) + 'K';
+  return num.toFixed(0);
+}
+
+function pct(value, digits = 2) {
+  if (value === null) return 'n/a';
+  return `${value >= 0 ? '+' : ''}${value.toFixed(digits)}%`;
+}
+
+function printAlert(alert, outcomeMinutes) {
+  const time = new Date(alert.timestamp).toISOString().replace('T', ' ').slice(0, 19);
+  const { stats } = alert;
+
+  console.log(
+    `${time} ${alert.symbol.padEnd(10)} ${alert.type.padEnd(16)} ${String(alert.windowSeconds).padStart(4)}s | ` +
+    `vol $${fmt(stats.totalVolume).padStart(7)} | dom ${stats.dominance.toFixed(1)}% | ` +
+    `Δ ${pct(stats.priceChange)} | @ ${alert.entryPrice} | ` +
+    `${outcomeMinutes}m: ${alert.move === null ? 'n/a' : pct(alert.move)}`
+  );
+}
+
+function printSymbolSummary(simulation, tradeCounts) {
+  console.log('\n' + '='.repeat(70));
+  console.log('PER-SYMBOL SUMMARY');
+  console.log('='.repeat(70));
+
+  for (const [symbol, trades] of tradeCounts) {
+    const alerts = simulation.alerts.filter(a => a.symbol === symbol);
+    const squeezes = alerts.filter(a => a.type === 'SHORT_SQUEEZE').length;
+    const liquidations = alerts.filter(a => a.type === 'LONG_LIQUIDATION').length;
+    const summary = simulation.summarize(alerts);
+
+    console.log(
+      `${symbol.padEnd(10)} trades ${String(trades).padStart(9)} | alerts ${String(alerts.length).padStart(4)} ` +
+      `(🟢 ${squeezes} / 🔴 ${liquidations}) | win ${summary.winRate === null ? 'n/a' : summary.winRate.toFixed(0) + '%'} | ` +
+      `avg ${pct(summary.avgMove)}`
+    );
+  }
+}
+
+function printGrid(simulations, options) {
+  const rows = simulations.map(sim => ({ overrides: sim.overrides, ...sim.summarize() }));
+
+  rows.sort((a, b) => {
+    if (options.rank === 'alerts') return b.alerts - a.alerts;
+    return (b.avgMove ?? -Infinity) - (a.avgMove ?? -Infinity) || b.alerts - a.alerts;
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`GRID RESULTS (${rows.length} combinations, ranked by ${options.rank}, ${options.outcome}m after alert)`);
+  console.log('='.repeat(70));
+
+  rows.slice(0, options.top).forEach((row, i) => {
+    const params = Object.entries(row.overrides).map(([k, v]) => `${k}=${v}`).join(' ');
+    console.log(
+      `#${String(i + 1).padEnd(3)} ${params.padEnd(50)} alerts ${String(row.alerts).padStart(4)} | ` +
+      `win ${row.winRate === null ? 'n/a' : row.winRate.toFixed(0) + '%'} | avg ${pct(row.avgMove)}`
+    );
+  });
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  // Same thresholds the live bot would use (stored config, else defaults)
+  const baseConfig = new RuntimeConfig(
+    CONFIG.SYMBOL_CONFIGS,
+    new ConfigStore(path.join(CONFIG.DATA_DIR, 'runtime-config.json'))
+  );
+
+  // Group files by symbol, chronological by name
+  const filesBySymbol = new Map();
+  for (const file of options.files.sort()) {
+    const symbol = options.symbol || symbolFromFile(file);
+    if (!symbol) throw new Error(`Cannot determine symbol for ${file} (use --symbol)`);
+
+    if (!filesBySymbol.has(symbol)) filesBySymbol.set(symbol, []);
+    filesBySymbol.get(symbol).push(file);
+  }
+
+  const symbolConfigs = {};
+  for (const symbol of filesBySymbol.keys()) {
+    symbolConfigs[symbol] = baseConfig.get(symbol) || { ...DEFAULT_SYMBOL_CONFIG };
+  }
+
+  const gridMode = Object.keys(options.grid).length > 0;
+  const baseOverrides = options.window ? { windowSeconds: options.window } : {};
+  const simulations = expandGrid(options.grid).map(overrides =>
+    new ReplaySimulation(symbolConfigs, { ...baseOverrides, ...overrides }, options.outcome)
+  );
+
+  console.log(`[REPLAY] ${options.files.length} file(s), ${filesBySymbol.size} symbol(s), ` +
+    `${simulations.length} threshold set(s)`);
+
+  // Symbols are independent, so they can be replayed one after another
+  const tradeCounts = new Map();
+  const printAlerts = !gridMode && !options.quiet;
+
+  for (const [symbol, files] of filesBySymbol) {
+    let count = 0;
+
+    for (const file of files) {
+      for await (const trade of readTrades(file)) {
+        if (trade.liquidation) {
+          simulations.forEach(sim => sim.addLiquidation(symbol, trade.timestamp, trade.side, trade.notional));
+          continue;
+        }
+
+        for (const simulation of simulations) {
+          simulation.addTrade(symbol, trade.timestamp, trade.price, trade.quantity, trade.isBuyerMaker);
+        }
+        count++;
+      }
+    }
+
+    tradeCounts.set(symbol, count);
+  }
+
+  if (printAlerts) {
+    simulations[0].alerts.forEach(alert => printAlert(alert, options.outcome));
+  }
+
+  if (gridMode) {
+    printGrid(simulations, options);
+  } else {
+    printSymbolSummary(simulations[0], tradeCounts);
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('[REPLAY]', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { ReplaySimulation, readTrades, expandGrid, parseCsvLine, parseNdjsonLine };
@@ -0,0 +1,441 @@
+// ============================================================================
+// DRY-RUN SIMULATION
+// Runs the full bot against a local mock of the Binance combined stream, with
+// Telegram swapped for the console sink (DRY_RUN). The mock plays a scripted
+// plan of market scenarios on a simulated clock running --speed times faster
+// than wall time; trade sizes scale to each symbol's minVolumeUSD so the same
+// plan means the same thing for DOGE and for BONK.
+//
+// Scenarios:
+//   quiet    balanced two-way flow, no drift (should never alert)
+//   squeeze  aggressive buying, price up, shorts liquidated (SHORT SQUEEZE)
+//   cascade  aggressive selling, price down, longs liquidated (LONG LIQUIDATION)
+//
+// Usage:
+//   node simulate.js [options]
+//
+// Options:
+//   --plan PLAN          scenario:seconds,... in simulated seconds
+//                        (default: quiet:60,squeeze:150,quiet:180,cascade:150)
+//   --symbols A,B        Symbols to stream (default: all enabled in CONFIG)
+//   --speed N            Simulated seconds per real second (default: 10)
+//   --port N             Mock server port (default: random free port)
+//   --output FILE        Append Telegram output to FILE instead of the console
+//   --data-dir DIR       Keep bot state in DIR (default: temp dir, removed)
+//   --interactive        Keep repeating the last phase until Ctrl+C
+//
+// Lines typed on stdin are sent to the bot as chat messages (e.g. /status,
+// /set PEPEUSDT minDominance 80) from an admin user.
+// ============================================================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+const {
+  CONFIG,
+  BinanceFuturesFlowBot
+} = require('./index.js');
+
+// ============================================================================
+// SCENARIOS
+// volume: multiple of minVolumeUSD traded per window
+// buyShare: share of that volume from aggressive buyers
+// drift: price change in % per simulated second
+// liquidation: side liquidated (forceOrder roughly every 5s), or null
+// ============================================================================
+
+const SCENARIOS = {
+  quiet: { volume: 0.2, buyShare: 0.5, drift: 0, tradesPerSecond: 2, liquidation: null },
+  squeeze: { volume: 2.5, buyShare: 0.85, drift: 0.03, tradesPerSecond: 8, liquidation: 'short' },
+  cascade: { volume: 2.5, buyShare: 0.15, drift: -0.03, tradesPerSecond: 8, liquidation: 'long' }
+};
+
+// "quiet:60,squeeze:150" -> [{ scenario: 'quiet', seconds: 60 }, ...]
+function parsePlan(text) {
+  return text.split(',').map(s => s.trim()).filter(Boolean).map(step => {
+    const [scenario, seconds] = step.split(':');
+    if (!SCENARIOS[scenario]) {
+      throw new Error(`Unknown scenario "${scenario}". Valid: ${Object.keys(SCENARIOS).join(', ')}`);
+    }
+    const duration = parseFloat(seconds);
+    if (!(duration > 0)) {
+      throw new Error(`Invalid duration in "${step}" (expected scenario:seconds)`);
+    }
+    return { scenario, seconds: duration };
+  });
+}
+
+// ============================================================================
+// MOCK FEED SERVER
+// Speaks the Binance combined-stream protocol: streams from ?streams=... in
+// the URL plus SUBSCRIBE/UNSUBSCRIBE frames, messages wrapped as
+// {"stream","data"}. Only symbols someone is subscribed to are generated.
+// Emits 'phase' ({ scenario, seconds }) and 'done' when the plan ends.
+// ============================================================================
+
+class MockFeedServer extends EventEmitter {
+  // symbolConfigs: { SYMBOL: { minVolumeUSD, windowSeconds } } for trade sizing
+  constructor(symbolConfigs, plan, options = {}) {
+    super();
+    this.symbolConfigs = symbolConfigs;
+    this.plan = plan;
+    this.port = options.port || 0;
+    this.speed = options.speed || 10;
+    this.tickMs = options.tickMs || 100;
+    this.loop = options.loop || false; // repeat the last phase instead of finishing
+
+    this.server = null;
+    this.timer = null;
+    this.subscriptions = new Map(); // ws -> Set of stream names
+    this.symbols = new Map();       // symbol -> { price, carry, aggId }
+    this.clock = 0;                 // simulated time (ms)
+    this.elapsed = 0;               // simulated seconds since start
+    this.phaseIndex = -1;
+    this.stats = { trades: 0, liquidations: 0, connections: 0 };
+    this.frames = [];               // SUBSCRIBE/UNSUBSCRIBE frames received, in order
+
+    // Deterministic random walk (same plan = same feed)
+    this.seed = options.seed || 42;
+  }
+
+  random() {
+    this.seed = (this.seed * 1103515245 + 12345) % 2147483648;
+    return this.seed / 2147483648;
+  }
+
+  get url() {
+    return `ws://127.0.0.1:${this.port}/stream`;
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = new WebSocket.Server({ host: '127.0.0.1', port: this.port });
+      this.server.on('error', reject);
+      this.server.on('listening', () => {
+        this.port = this.server.address().port;
+        this.clock = Date.now();
+        this.timer = setInterval(() => this.tick(), this.tickMs);
+        console.log(`[MOCK] Feed on ${this.url} (${this.speed}x, plan: ${this.plan.map(p => `${p.scenario}:${p.seconds}`).join(',')})`);
+        resolve(this.url);
+      });
+      this.server.on('connection', (ws, req) => this.handleConnection(ws, req));
+    });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (!this.server) return Promise.resolve();
+
+    for (const ws of this.server.clients) {
+      ws.terminate();
+    }
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  // Drop every connection (clients should reconnect and resubscribe)
+  disconnectAll() {
+    for (const ws of this.server.clients) {
+      ws.terminate();
+    }
+  }
+
+  handleConnection(ws, req) {
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    const streams = new Set((query.get('streams') || '').split('/').filter(Boolean));
+    this.subscriptions.set(ws, streams);
+    this.stats.connections++;
+
+    ws.on('message', data => {
+      let frame;
+      try {
+        frame = JSON.parse(data.toString());
+      } catch (error) {
+        ws.send(JSON.stringify({ error: { code: 2, msg: 'Invalid JSON' } }));
+        return;
+      }
+
+      this.frames.push(frame);
+      if (frame.method === 'SUBSCRIBE') {
+        frame.params.forEach(stream => streams.add(stream));
+      } else if (frame.method === 'UNSUBSCRIBE') {
+        frame.params.forEach(stream => streams.delete(stream));
+      } else {
+        ws.send(JSON.stringify({ error: { code: 1, msg: `Unknown method ${frame.method}` }, id: frame.id }));
+        return;
+      }
+      ws.send(JSON.stringify({ result: null, id: frame.id }));
+    });
+
+    ws.on('close', () => this.subscriptions.delete(ws));
+    ws.on('error', () => {});
+  }
+
+  currentPhase() {
+    let end = 0;
+    for (let i = 0; i < this.plan.length; i++) {
+      end += this.plan[i].seconds;
+      if (this.elapsed < end) return i;
+    }
+    return this.loop ? this.plan.length - 1 : -1;
+  }
+
+  tick() {
+    const dt = this.tickMs * this.speed / 1000;
+    const index = this.currentPhase();
+
+    if (index === -1) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.emit('done');
+      return;
+    }
+    if (index !== this.phaseIndex) {
+      this.phaseIndex = index;
+      console.log(`[MOCK] Phase ${index + 1}/${this.plan.length}: ${this.plan[index].scenario} for ${this.plan[index].seconds}s`);
+      this.emit('phase', this.plan[index]);
+    }
+
+    const scenario = SCENARIOS[this.plan[index].scenario];
+    for (const symbol of this.subscribedSymbols()) {
+      this.generate(symbol, scenario, dt);
+    }
+
+    this.clock += dt * 1000;
+    this.elapsed += dt;
+  }
+
+  subscribedSymbols() {
+    const symbols = new Set();
+    for (const streams of this.subscriptions.values()) {
+      for (const stream of streams) {
+        const [name, type] = stream.split('@');
+        if (type === 'aggTrade') symbols.add(name.toUpperCase());
+      }
+    }
+    return symbols;
+  }
+
+  generate(symbol, scenario, dt) {
+    const config = this.symbolConfigs[symbol] || { minVolumeUSD: 1_000_000 };
+    const windowSeconds = config.windowSeconds || CONFIG.WINDOW_SECONDS;
+    const usdPerSecond = scenario.volume * config.minVolumeUSD / windowSeconds;
+
+    if (!this.symbols.has(symbol)) {
+      this.symbols.set(symbol, { price: 1, carry: 0, aggId: 1 });
+    }
+    const state = this.symbols.get(symbol);
+
+    // Whole trades this tick; the fraction carries over
+    state.carry += scenario.tradesPerSecond * dt;
+    const count = Math.floor(state.carry);
+    state.carry -= count;
+
+    for (let i = 0; i < count; i++) {
+      const timestamp = Math.round(this.clock + (i / count) * dt * 1000);
+      state.price *= 1 + (scenario.drift * dt / count + (this.random() - 0.5) * 0.01) / 100;
+
+      const isBuy = this.random() < scenario.buyShare;
+      const usd = usdPerSecond / scenario.tradesPerSecond * (0.5 + this.random());
+      this.send(symbol, 'aggTrade', {
+        e: 'aggTrade',
+        E: timestamp,
+        s: symbol,
+        a: state.aggId++,
+        p: state.price.toPrecision(6),
+        q: (usd / state.price).toFixed(3),
+        T: timestamp,
+        m: !isBuy
+      });
+      this.stats.trades++;
+    }
+
+    // S=BUY closes a short, S=SELL closes a long
+    if (scenario.liquidation && this.random() < dt / 5) {
+      const quantity = config.minVolumeUSD * 0.02 / state.price;
+      this.send(symbol, 'forceOrder', {
+        e: 'forceOrder',
+        E: Math.round(this.clock),
+        o: {
+          s: symbol,
+          S: scenario.liquidation === 'short' ? 'BUY' : 'SELL',
+          o: 'LIMIT',
+          f: 'IOC',
+          q: quantity.toFixed(3),
+          p: state.price.toPrecision(6),
+          ap: state.price.toPrecision(6),
+          X: 'FILLED',
+          l: quantity.toFixed(3),
+          z: quantity.toFixed(3),
+          T: Math.round(this.clock)
+        }
+      });
+      this.stats.liquidations++;
+    }
+  }
+
+  send(symbol, type, data) {
+    const stream = `${symbol.toLowerCase()}@${type}`;
+    const text = JSON.stringify({ stream, data });
+
+    for (const [ws, streams] of this.subscriptions) {
+      if (streams.has(stream) && ws.readyState === WebSocket.OPEN) {
+        ws.send(text);
+      }
+    }
+  }
+}
+
+// ============================================================================
+// SIMULATION RUNNER
+// ============================================================================
+
+// Points the bot at the mock feed with a throwaway state dir; returns the
+// started bot, the mock server and the console sink. CONFIG is shared with
+// the caller and put back as it was on stop(). options.botOptions goes to
+// the BinanceFuturesFlowBot constructor
+async function startSimulation(options = {}) {
+  const plan = options.plan || parsePlan('quiet:60,squeeze:150,quiet:180,cascade:150');
+  const symbolConfigs = {};
+  for (const [symbol, config] of Object.entries(CONFIG.SYMBOL_CONFIGS)) {
+    const enabled = options.symbols ? options.symbols.includes(symbol) : config.enabled;
+    symbolConfigs[symbol] = { ...config, enabled };
+  }
+
+  const server = new MockFeedServer(symbolConfigs, plan, {
+    port: options.port,
+    speed: options.speed,
+    loop: options.interactive
+  });
+  const url = await server.start();
+
+  const dataDir = options.dataDir || fs.mkdtempSync(path.join(os.tmpdir(), 'flow-sim-'));
+  // Whole CONFIG: the bot's /global settings write to it as well
+  const savedConfig = { ...CONFIG };
+  Object.assign(CONFIG, {
+    DRY_RUN: true,
+    DRY_RUN_OUTPUT: options.output || null,
+    TELEGRAM_CHAT_ID: CONFIG.TELEGRAM_CHAT_ID || 'dry-run',
+    TELEGRAM_USERS: options.users || {}, // default: anyone in TELEGRAM_CHAT_ID is admin
+    SYMBOL_CONFIGS: symbolConfigs,
+    DATA_DIR: dataDir,
+    BINANCE_WS_COMBINED: url,
+    WS_MODE: options.wsMode || 'combined',
+    MARKET_CONTEXT: false,
+    WAIT_FOR_MINUTE: false,
+    EXCHANGE_FIXTURES_DIR: CONFIG.EXCHANGE_FIXTURES_DIR || path.join(__dirname, 'fixtures'),
+    TRADING_BOT_ENABLED: false,
+    HTTP_PORT: options.httpPort || 0
+  });
+
+  const bot = new BinanceFuturesFlowBot(options.botOptions);
+  await bot.start();
+
+  return {
+    bot,
+    server,
+    telegram: bot.telegram,
+    dataDir,
+    async stop() {
+      await bot.stop();
+      await server.stop();
+      Object.assign(CONFIG, savedConfig);
+      if (!options.dataDir) {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+      }
+    }
+  };
+}
+
+function parseArgs(argv) {
+  const options = { plan: undefined, symbols: null, speed: 10, port: 0, output: null, dataDir: null, interactive: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--plan':
+        options.plan = parsePlan(argv[++i] || '');
+        break;
+      case '--symbols':
+        options.symbols = (argv[++i] || '').split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+        break;
+      case '--speed':
+        options.speed = parseFloat(argv[++i]);
+        break;
+      case '--port':
+        options.port = parseInt(argv[++i]);
+        break;
+      case '--output':
+        options.output = argv[++i];
+        break;
+      case '--data-dir':
+        options.dataDir = argv[++i];
+        break;
+      case '--interactive':
+        options.interactive = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg} (see header of simulate.js for usage)`);
+    }
+  }
+
+  if (!(options.speed > 0)) {
+    throw new Error('--speed must be a positive number');
+  }
+  return options;
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const simulation = await startSimulation(options);
+  const { bot, server, telegram } = simulation;
+
+  // Chat input from stdin (only while it is open)
+  const input = readline.createInterface({ input: process.stdin, terminal: false });
+  input.on('line', line => {
+    const text = line.trim();
+    if (text) telegram.receive(text).catch(error => console.error('[SIM] Command error:', error.message));
+  });
+
+  let stopping = false;
+  const finish = async () => {
+    if (stopping) return;
+    stopping = true;
+    input.close();
+
+    const alerts = telegram.sent.filter(m => m.method === 'sendMessage' && /SQUEEZE|LIQUIDATION/.test(m.text)).length;
+    await simulation.stop();
+    console.log('='.repeat(70));
+    console.log(`[SIM] ${(server.elapsed / 60).toFixed(1)} simulated minutes | Trades: ${server.stats.trades} | ` +
+      `Liquidations: ${server.stats.liquidations} | Alerts: ${bot.alertManager.getCount()} | Alert messages: ${alerts}`);
+    process.exit(0);
+  };
+
+  // Replaces the bot's own handlers, which would exit before the summary
+  process.removeAllListeners('SIGINT');
+  process.removeAllListeners('SIGTERM');
+  process.on('SIGINT', finish);
+  process.on('SIGTERM', finish);
+
+  if (!options.interactive) {
+    // Give queued Telegram output a moment to drain after the last phase
+    server.on('done', () => setTimeout(finish, 2000));
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('[SIM]', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { SCENARIOS, parsePlan, MockFeedServer, startSimulation };